@@ -1,6 +1,8 @@
 // js/drivepdf-viewer.js
 // Minimal, dependency-free PDF viewer with 10-page batching + Drive support.
-// Exports: openDrivePdfFromLink(input, title?), openDrivePdfById(fileId, title?)
+// Exports: openDrivePdfFromLink(input, title?, opts?), openDrivePdfById(fileId, title?, opts?),
+//          extractPdfText(input, opts?), extractDriveId(linkOrId)
+// Highlights, comments and bookmarks are kept by the caller (opts.annotations); the viewer only draws them.
 
 //// ---------- pdf.js dynamic import (local → CDN fallback) ----------
 async function loadPdfJs() {
@@ -24,20 +26,106 @@ async function loadPdfJs() {
 }
 
 //// ---------- DOM: ensure modal exists (creates if not) ----------
+const COLORS = { yellow: '#ffd54a', green: '#7bd88f', blue: '#6ca8ff', pink: '#ff8ac6' };
+const ZOOMS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+const swatches = (attrs = '') => Object.entries(COLORS)
+  .map(([k, v]) => `<button class="pdf-swatch" data-color="${k}" title="${k}" style="background:${v}" ${attrs}></button>`).join('');
+
+const STYLE = `
+#pdfViewer .page{position:relative}
+#pdfViewer .finds{position:absolute;inset:0;pointer-events:none;z-index:1}
+#pdfViewer .find{position:absolute;background:rgba(255,213,74,.35);border-radius:2px}
+#pdfViewer .find.cur{background:rgba(255,138,60,.6);outline:2px solid #ff8a3c}
+#pdfSide{width:220px;flex:none;border-right:1px solid #2a3052;display:flex;flex-direction:column;background:#0f1117}
+#pdfSide[hidden]{display:none}
+#pdfSide .tabs{display:flex;gap:6px;padding:8px;border-bottom:1px solid #2a3052}
+#pdfSide .tabs .on{outline:2px solid #6ca8ff}
+#pdfSide .pane{flex:1;overflow:auto;padding:8px}
+#pdfOutline a{display:block;color:#eef1ff;text-decoration:none;padding:3px 4px;border-radius:6px;font-size:13px;cursor:pointer}
+#pdfOutline a:hover{background:#181c2f}
+#pdfOutline ul{list-style:none;margin:0;padding-left:12px}
+#pdfThumbs .thumb{width:120px;margin:0 auto 10px;cursor:pointer;text-align:center;color:#9aa3c7;font-size:12px}
+#pdfThumbs .thumb div{background:#111;border:2px solid transparent;border-radius:4px;overflow:hidden}
+#pdfThumbs .thumb.cur div{border-color:#6ca8ff}
+#pdfThumbs canvas{display:block;width:100%}
+#pdfViewer .textLayer{position:absolute;inset:0;overflow:hidden;line-height:1;z-index:2;forced-color-adjust:none}
+#pdfViewer .textLayer span,#pdfViewer .textLayer br{color:transparent;position:absolute;white-space:pre;cursor:text;transform-origin:0 0}
+#pdfViewer .textLayer ::selection{background:rgba(108,168,255,.35)}
+#pdfViewer .marks{position:absolute;inset:0;pointer-events:none;z-index:1}
+#pdfViewer .hl{position:absolute;opacity:.4;mix-blend-mode:multiply;border-radius:2px}
+#pdfViewer .pin{position:absolute;left:calc(100% + 8px);width:180px;max-height:64px;overflow:hidden;pointer-events:auto;cursor:pointer;font-size:12px;line-height:1.3;color:#eef1ff;background:#181c2f;border-left:3px solid;border-radius:6px;padding:4px 6px}
+#pdfViewer .ribbon{position:absolute;top:0;right:14px;width:18px;height:28px;background:#ffd54a;clip-path:polygon(0 0,100% 0,100% 100%,50% 72%,0 100%)}
+.pdf-float{position:fixed;z-index:9999;background:#181c2f;border:1px solid #2a3052;border-radius:10px;padding:6px;display:flex;gap:6px;align-items:center;box-shadow:0 4px 16px #0008}
+.pdf-float[hidden]{display:none}
+#pdfMarkPop{flex-direction:column;align-items:stretch;width:260px}
+#pdfMarkPop .quote{color:#9aa3c7;font-size:12px;max-height:48px;overflow:hidden}
+.pdf-swatch{width:22px;height:22px;border-radius:50%;padding:0;border:2px solid transparent}
+.pdf-swatch.on{border-color:#eef1ff}`;
+
 function ensureModal() {
   let modal = document.getElementById('pdfModal');
   if (!modal) {
+    const style = document.createElement('style');
+    style.id = 'pdfViewerStyle';
+    style.textContent = STYLE;
+    document.head.appendChild(style);
+
     modal = document.createElement('div');
     modal.id = 'pdfModal';
     modal.style.cssText = 'position:fixed;inset:0;background:#000a;backdrop-filter:blur(2px);display:none;z-index:9998';
     modal.innerHTML = `
       <div id="pdfBox" style="position:absolute;inset:40px 20px 20px 20px;background:#0f1117;border-radius:12px;overflow:hidden;display:flex;flex-direction:column">
-        <div id="pdfHdr" style="padding:8px 12px;border-bottom:1px solid #2a3052;display:flex;gap:8px;align-items:center">
+        <div id="pdfHdr" style="padding:8px 12px;border-bottom:1px solid #2a3052;display:flex;flex-wrap:wrap;gap:8px;align-items:center">
           <button id="pdfClose" class="ghost slim">Close</button>
+          <button id="pdfSideBtn" class="ghost slim" title="Outline and pages">☰</button>
           <div class="title" id="pdfTitleBar" style="color:#eef1ff;font-weight:700">PDF</div>
-          <div class="meta" id="pdfMeta" style="margin-left:auto;color:#9aa3c7">Loading…</div>
+          <div id="pdfFindBar" style="margin-left:auto;display:flex;gap:4px;align-items:center">
+            <input id="pdfFind" type="search" placeholder="Find in document" style="width:180px;padding:6px 10px"/>
+            <button id="pdfFindPrev" class="ghost slim" title="Previous match (Shift+Enter)">‹</button>
+            <button id="pdfFindNext" class="ghost slim" title="Next match (Enter)">›</button>
+            <span id="pdfFindCount" style="color:#9aa3c7;min-width:56px"></span>
+          </div>
+          <div style="display:flex;gap:4px;align-items:center">
+            <button id="pdfZoomOut" class="ghost slim" title="Zoom out">−</button>
+            <select id="pdfZoom" style="width:auto;padding:6px 8px">
+              <option value="width">Fit width</option>
+              <option value="page">Fit page</option>
+              ${ZOOMS.map((z) => `<option value="${z}">${Math.round(z * 100)}%</option>`).join('')}
+            </select>
+            <button id="pdfZoomIn" class="ghost slim" title="Zoom in">+</button>
+          </div>
+          <div style="display:flex;gap:4px;align-items:center;color:#9aa3c7">
+            <input id="pdfPageNo" type="text" inputmode="numeric" title="Go to page" style="width:56px;padding:6px 8px;text-align:right"/>
+            <span class="meta" id="pdfMeta">Loading…</span>
+          </div>
+          <select id="pdfMarks" style="width:auto;max-width:240px;padding:6px 8px"></select>
+          <button id="pdfBookmark" class="ghost slim" title="Bookmark this page">☆</button>
+        </div>
+        <div style="flex:1;display:flex;min-height:0">
+          <aside id="pdfSide" hidden>
+            <div class="tabs">
+              <button class="ghost slim" data-tab="outline">Outline</button>
+              <button class="ghost slim" data-tab="thumbs">Pages</button>
+            </div>
+            <div class="pane" id="pdfOutline"></div>
+            <div class="pane" id="pdfThumbs" hidden></div>
+          </aside>
+          <div id="pdfViewer" style="flex:1;overflow:auto;background:#0b1128;padding:12px 0"></div>
+        </div>
+      </div>
+      <div id="pdfSelTools" class="pdf-float" hidden>
+        ${swatches()}
+        <button class="ghost slim" data-color="yellow" data-comment="1">Comment</button>
+      </div>
+      <div id="pdfMarkPop" class="pdf-float" hidden>
+        <div class="quote"></div>
+        <textarea rows="3" placeholder="Comment…"></textarea>
+        <div style="display:flex;gap:6px">${swatches()}</div>
+        <div style="display:flex;gap:6px">
+          <button class="slim" data-act="save">Save</button>
+          <button class="warn slim" data-act="delete">Delete</button>
+          <button class="ghost slim" data-act="close" style="margin-left:auto">Close</button>
         </div>
-        <div id="pdfViewer" style="flex:1;overflow:auto;background:#0b1128;padding:12px 0"></div>
       </div>`;
     document.body.appendChild(modal);
   }
@@ -46,12 +134,29 @@ function ensureModal() {
     viewer: modal.querySelector('#pdfViewer'),
     titleBar: modal.querySelector('#pdfTitleBar'),
     metaEl: modal.querySelector('#pdfMeta'),
-    closeBtn: modal.querySelector('#pdfClose')
+    closeBtn: modal.querySelector('#pdfClose'),
+    marksSel: modal.querySelector('#pdfMarks'),
+    bookmarkBtn: modal.querySelector('#pdfBookmark'),
+    selTools: modal.querySelector('#pdfSelTools'),
+    pop: modal.querySelector('#pdfMarkPop'),
+    sideBtn: modal.querySelector('#pdfSideBtn'),
+    side: modal.querySelector('#pdfSide'),
+    outline: modal.querySelector('#pdfOutline'),
+    thumbs: modal.querySelector('#pdfThumbs'),
+    findInput: modal.querySelector('#pdfFind'),
+    findPrev: modal.querySelector('#pdfFindPrev'),
+    findNext: modal.querySelector('#pdfFindNext'),
+    findCount: modal.querySelector('#pdfFindCount'),
+    zoomSel: modal.querySelector('#pdfZoom'),
+    zoomIn: modal.querySelector('#pdfZoomIn'),
+    zoomOut: modal.querySelector('#pdfZoomOut'),
+    pageNo: modal.querySelector('#pdfPageNo')
   };
 }
 
 //// ---------- Helpers ----------
-function extractDriveId(s) {
+// Drive link or raw file ID → file ID ('' for anything else)
+export function extractDriveId(s) {
   if (!s) return '';
   if (/^[A-Za-z0-9_-]{20,}$/.test(s)) return s; // raw ID
   try {
@@ -63,30 +168,111 @@ function extractDriveId(s) {
   }
 }
 
-//// ---------- Public API ----------
-export async function openDrivePdfFromLink(input, title = 'PDF') {
+// Drive link/ID → SW proxy path, direct PDF URL or blob: URL → itself,
+// Blob/File → a new object URL (the caller revokes it), anything else → ''
+function pdfSourceFor(input) {
+  if (input instanceof Blob) return URL.createObjectURL(input);
+  if (/^blob:/.test(input || '')) return input;
   const id = extractDriveId(input);
-  if (!id && !/^https?:\/\/.+\.pdf(\?|$)/i.test(input || '')) {
+  if (id) return `/drivepdf/${id}`;
+  return /^https?:\/\/.+\.pdf(\?|$)/i.test(input || '') ? input : '';
+}
+
+// Text nodes (and <br> line breaks) of a rendered text layer, in reading order
+function textLayerNodes(textDiv) {
+  const out = [];
+  const walker = document.createTreeWalker(textDiv, 4 | 1); // SHOW_TEXT | SHOW_ELEMENT
+  for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+    if (n.nodeType === 3 || n.nodeName === 'BR') out.push(n);
+  }
+  return out;
+}
+const nodeText = (n) => (n.nodeType === 3 ? n.data : ' ');
+
+// Selection → rectangles as fractions of the page box, so they survive any zoom: [[x, y, w, h], …]
+function rangeRects(range, pageEl) {
+  const box = pageEl.getBoundingClientRect();
+  const out = [];
+  for (const r of range.getClientRects()) {
+    const left = Math.max(r.left, box.left), right = Math.min(r.right, box.right);
+    const top = Math.max(r.top, box.top), bottom = Math.min(r.bottom, box.bottom);
+    if (right - left < 1 || bottom - top < 1) continue;
+    const f = (v) => Math.round(v * 1e4) / 1e4;
+    out.push([f((left - box.left) / box.width), f((top - box.top) / box.height), f((right - left) / box.width), f((bottom - top) / box.height)]);
+  }
+  return out;
+}
+
+//// ---------- Public API ----------
+// opts.page: open scrolled to this page (1-based)
+// opts.zoom: a scale factor, 'width' or 'page' (default 1.5)
+// opts.onPage(n): the page at the top of the view changed (for "reopen where I left off")
+// opts.annotations: { marks, add(mark) → mark with id, update(mark), remove(id) }
+//   mark: { id, kind: 'highlight' | 'bookmark', page, color, rects, quote, comment }
+// input may also be a Blob/File (an uploaded PDF) or a blob: URL.
+export async function openDrivePdfFromLink(input, title = 'PDF', opts = {}) {
+  const src = pdfSourceFor(input);
+  if (!src) {
     alert('Please provide a Google Drive link/ID or a direct PDF URL.');
     return;
   }
-  return id ? openDrivePdfById(id, title) : openUrlPdf(input, title);
+  return openUrlPdf(src, title, opts, input instanceof Blob);
 }
 
-export async function openDrivePdfById(fileId, title = 'PDF') {
-  return openUrlPdf(`/drivepdf/${fileId}`, title);
+export async function openDrivePdfById(fileId, title = 'PDF', opts = {}) {
+  return openUrlPdf(`/drivepdf/${fileId}`, title, opts);
+}
+
+// Plain text of every page, for the search index: [{ page, text }]
+// opts.onProgress(done, total) is called after each page.
+export async function extractPdfText(input, opts = {}) {
+  const src = pdfSourceFor(input);
+  if (!src) throw new Error('Not a Google Drive link/ID or direct PDF URL');
+  const { pdfjsLib, workerSrc } = await loadPdfJs();
+  pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+
+  const done = () => { if (input instanceof Blob) URL.revokeObjectURL(src); };
+  const pdf = await pdfjsLib.getDocument({
+    url: src,
+    disableAutoFetch: true,
+    rangeChunkSize: 4 * 1024 * 1024
+  }).promise.catch((e) => { done(); throw e; });
+  const out = [];
+  try {
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const page = await pdf.getPage(n);
+      const content = await page.getTextContent();
+      const text = content.items.map(it => it.str + (it.hasEOL ? '\n' : ' ')).join('');
+      out.push({ page: n, text: text.replace(/[ \t]+/g, ' ').trim() });
+      page.cleanup();
+      opts.onProgress?.(n, pdf.numPages);
+    }
+  } finally {
+    pdf.destroy();
+    done();
+  }
+  return out;
 }
 
 //// ---------- Core viewer ----------
-async function openUrlPdf(src, title) {
+// ownsSrc: src is an object URL made here, revoked when the viewer closes
+async function openUrlPdf(src, title, opts = {}, ownsSrc = false) {
   const { pdfjsLib, workerSrc } = await loadPdfJs();
   pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
 
   const ui = ensureModal();
   ui.viewer.innerHTML = '';
   ui.modal.style.display = 'block';
+  ui.selTools.hidden = ui.pop.hidden = true;
+  const notes = opts.annotations || null;
+  const marks = notes ? [...notes.marks] : [];
+  ui.marksSel.style.display = ui.bookmarkBtn.style.display = notes ? '' : 'none';
   ui.titleBar.textContent = title || 'PDF';
   ui.metaEl.textContent = 'Loading…';
+  ui.pageNo.value = '';
+  ui.side.hidden = true;
+  ui.outline.innerHTML = ui.thumbs.innerHTML = '';
+  ui.findCount.textContent = '';
 
   const loadingTask = pdfjsLib.getDocument({
     url: src,
@@ -95,28 +281,57 @@ async function openUrlPdf(src, title) {
     rangeChunkSize: 4 * 1024 * 1024
   });
 
-  const pdf = await loadingTask.promise;
-  ui.metaEl.textContent = `${pdf.numPages} pages`;
+  const pdf = await loadingTask.promise.catch((e) => {
+    if (ownsSrc) URL.revokeObjectURL(src);
+    throw e;
+  });
+  ui.metaEl.textContent = `/ ${pdf.numPages}`;
 
   const BATCH = 10;
-  const SCALE = 1.5;
+  // Unrendered shells keep page 1's proportions so jumping ahead lands in the right place
+  const base = (await pdf.getPage(1)).getViewport({ scale: 1 });
+
+  //// Zoom: a fixed factor, or fit width / fit page recomputed on resize
+  let zoom = opts.zoom ?? 1.5;
+  let scale = 1;
+  let layoutGen = 0; // bumps on every zoom change; renders from an older layout are dropped
+  function computeScale() {
+    const w = (ui.viewer.clientWidth - 32) / base.width;
+    const h = (ui.viewer.clientHeight - 24) / base.height;
+    const z = zoom === 'width' ? w : zoom === 'page' ? Math.min(w, h) : +zoom;
+    return Math.max(0.25, Math.min(5, z || 1.5));
+  }
+  function sizeShell(el) {
+    el.style.width = base.width * scale + 'px';
+    el.style.aspectRatio = `${base.width} / ${base.height}`;
+    el.style.setProperty('--scale-factor', scale);
+  }
+
+  async function renderPage(el) {
+    const gen = layoutGen;
+    el.dataset.rendered = '1';
+    const page = await pdf.getPage(+el.dataset.page);
+    const vp = page.getViewport({ scale });
+    const canvas = el.querySelector('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: false });
+    const ratio = Math.min(2, self.devicePixelRatio || 1);
+    canvas.width = Math.floor(vp.width * ratio);
+    canvas.height = Math.floor(vp.height * ratio);
+    await page.render({ canvasContext: ctx, viewport: vp, transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null }).promise;
+    if (gen !== layoutGen) return;
+    el.style.width = vp.width + 'px';
+    el.style.aspectRatio = `${vp.width} / ${vp.height}`;
+    // selectable text on top of the canvas
+    const textDiv = document.createElement('div');
+    textDiv.className = 'textLayer';
+    el.appendChild(textDiv);
+    await new pdfjsLib.TextLayer({ textContentSource: page.streamTextContent(), container: textDiv, viewport: vp }).render();
+    if (gen === layoutGen) paintFinds(el);
+  }
 
-  const pageIO = new IntersectionObserver(async (entries) => {
+  const pageIO = new IntersectionObserver((entries) => {
     for (const e of entries) {
-      const el = e.target;
-      if (!e.isIntersecting || el.dataset.rendered) continue;
-      const n = +el.dataset.page;
-      const page = await pdf.getPage(n);
-      const vp = page.getViewport({ scale: SCALE });
-      const canvas = el.querySelector('canvas');
-      const ctx = canvas.getContext('2d', { willReadFrequently: false });
-      const ratio = Math.min(2, self.devicePixelRatio || 1);
-      canvas.width = Math.floor(vp.width * ratio);
-      canvas.height = Math.floor(vp.height * ratio);
-      canvas.style.width = vp.width + 'px';
-      canvas.style.height = vp.height + 'px';
-      await page.render({ canvasContext: ctx, viewport: vp }).promise;
-      el.dataset.rendered = '1';
+      if (e.isIntersecting && !e.target.dataset.rendered) renderPage(e.target).catch(() => { delete e.target.dataset.rendered; });
     }
   }, { root: ui.viewer, rootMargin: '1000px 0px' });
 
@@ -129,16 +344,52 @@ async function openUrlPdf(src, title) {
     }
   }, { root: ui.viewer, rootMargin: '1200px 0px' });
 
+  const SHELL = '<canvas style="display:block;width:100%;height:100%"></canvas><div class="marks"></div><div class="finds"></div>';
   function pageShell(n) {
     const d = document.createElement('div');
     d.className = 'page';
     d.dataset.page = n;
-    d.style.cssText = 'margin:12px auto;max-width:900px;background:#111;box-shadow:0 2px 10px #0006';
-    d.innerHTML = '<canvas style="display:block;width:100%;height:auto"></canvas>';
+    d.style.cssText = 'margin:12px auto;background:#111;box-shadow:0 2px 10px #0006';
+    sizeShell(d);
+    d.innerHTML = SHELL;
+    drawMarks(d);
     pageIO.observe(d);
     return d;
   }
 
+  // Fresh canvases at the new scale; the observer re-renders whatever is in view
+  function setZoom(z) {
+    const keep = currentPage || 1;
+    zoom = z;
+    ui.zoomSel.value = ZOOMS.includes(+z) || z === 'width' || z === 'page' ? String(z) : '';
+    const next = computeScale();
+    if (next === scale) return;
+    scale = next;
+    layoutGen++;
+    for (const el of ui.viewer.querySelectorAll('.page')) {
+      pageIO.unobserve(el);
+      delete el.dataset.rendered;
+      sizeShell(el);
+      el.innerHTML = SHELL;
+      drawMarks(el);
+      pageIO.observe(el);
+    }
+    showPage(keep);
+  }
+  function stepZoom(dir) {
+    const next = dir > 0 ? ZOOMS.find((z) => z > scale + 1e-6) : [...ZOOMS].reverse().find((z) => z < scale - 1e-6);
+    if (next) setZoom(next);
+  }
+  ui.zoomSel.onchange = () => setZoom(ui.zoomSel.value === 'width' || ui.zoomSel.value === 'page' ? ui.zoomSel.value : +ui.zoomSel.value);
+  ui.zoomIn.onclick = () => stepZoom(1);
+  ui.zoomOut.onclick = () => stepZoom(-1);
+  let resizeTimer;
+  function onResize() {
+    if (zoom !== 'width' && zoom !== 'page') return;
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => setZoom(zoom), 200);
+  }
+
   function sentinel(nextBatch) {
     const s = document.createElement('div');
     s.className = 'sentinel';
@@ -149,25 +400,430 @@ async function openUrlPdf(src, title) {
     return s;
   }
 
-  async function appendBatch(i) {
+  let lastBatch = -1;
+  function appendBatch(i) {
     const start = i * BATCH + 1;
     const end = Math.min(start + BATCH - 1, pdf.numPages);
-    if (start > pdf.numPages) return;
+    if (start > pdf.numPages || i <= lastBatch) return;
+    lastBatch = i;
+    ui.viewer.querySelectorAll('.sentinel').forEach((s) => { batchIO.unobserve(s); s.remove(); });
     const frag = document.createDocumentFragment();
     for (let p = start; p <= end; p++) frag.appendChild(pageShell(p));
     if (end < pdf.numPages) frag.appendChild(sentinel(i + 1));
     ui.viewer.appendChild(frag);
   }
 
+  // Appends every batch up to the target first, so any page can be reached directly
+  function showPage(n) {
+    n = Math.max(1, Math.min(pdf.numPages, n | 0));
+    const batch = Math.floor((n - 1) / BATCH);
+    for (let i = lastBatch + 1; i <= batch; i++) appendBatch(i);
+    ui.viewer.querySelector(`.page[data-page="${n}"]`)?.scrollIntoView({ block: 'start' });
+  }
+  ui.pageNo.onkeydown = (e) => {
+    if (e.key !== 'Enter') return;
+    const n = parseInt(ui.pageNo.value, 10);
+    if (n) showPage(n);
+    ui.pageNo.blur();
+  };
+  ui.pageNo.onblur = () => { ui.pageNo.value = currentPage || 1; };
+
+  //// Sidebar: the document outline, and lazily rendered page thumbnails
+  let sideBuilt = false;
+  async function destPage(dest) {
+    const d = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(d)) return null;
+    return typeof d[0] === 'number' ? d[0] + 1 : (await pdf.getPageIndex(d[0])) + 1;
+  }
+  async function buildOutline() {
+    const items = await pdf.getOutline().catch(() => null);
+    if (!items?.length) {
+      ui.outline.innerHTML = '<p style="color:#9aa3c7;font-size:13px">This PDF has no outline.</p>';
+      return false;
+    }
+    const dests = [];
+    const list = (nodes) => '<ul>' + nodes.map((it) => {
+      dests.push(it.dest);
+      const label = (it.title || '').replace(/&/g, '&amp;').replace(/</g, '&lt;');
+      return `<li><a data-dest="${dests.length - 1}">${label}</a>${it.items?.length ? list(it.items) : ''}</li>`;
+    }).join('') + '</ul>';
+    ui.outline.innerHTML = list(items);
+    ui.outline.onclick = async (e) => {
+      const a = e.target.closest('a[data-dest]');
+      if (!a) return;
+      const n = await destPage(dests[+a.dataset.dest]).catch(() => null);
+      if (n) showPage(n);
+    };
+    return true;
+  }
+  const thumbIO = new IntersectionObserver(async (entries) => {
+    for (const e of entries) {
+      const el = e.target;
+      if (!e.isIntersecting || el.dataset.rendered) continue;
+      el.dataset.rendered = '1';
+      thumbIO.unobserve(el);
+      const page = await pdf.getPage(+el.dataset.page);
+      const vp = page.getViewport({ scale: 240 / base.width }); // 2× the 120px box
+      const canvas = el.querySelector('canvas');
+      canvas.width = Math.floor(vp.width);
+      canvas.height = Math.floor(vp.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport: vp }).promise;
+    }
+  }, { root: ui.thumbs, rootMargin: '400px 0px' });
+  function buildThumbs() {
+    const frag = document.createDocumentFragment();
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const t = document.createElement('div');
+      t.className = 'thumb';
+      t.dataset.page = n;
+      t.innerHTML = `<div style="aspect-ratio:${base.width} / ${base.height}"><canvas></canvas></div>${n}`;
+      frag.appendChild(t);
+      thumbIO.observe(t);
+    }
+    ui.thumbs.appendChild(frag);
+    ui.thumbs.onclick = (e) => {
+      const t = e.target.closest('.thumb');
+      if (t) showPage(+t.dataset.page);
+    };
+  }
+  function showTab(tab) {
+    ui.outline.hidden = tab !== 'outline';
+    ui.thumbs.hidden = tab !== 'thumbs';
+    ui.side.querySelectorAll('[data-tab]').forEach((b) => b.classList.toggle('on', b.dataset.tab === tab));
+    if (tab === 'thumbs') ui.thumbs.querySelector('.thumb.cur')?.scrollIntoView({ block: 'nearest' });
+  }
+  ui.side.querySelector('.tabs').onclick = (e) => {
+    const b = e.target.closest('[data-tab]');
+    if (b) showTab(b.dataset.tab);
+  };
+  ui.sideBtn.onclick = async () => {
+    ui.side.hidden = !ui.side.hidden;
+    if (!ui.side.hidden && !sideBuilt) {
+      sideBuilt = true;
+      buildThumbs();
+      markThumb();
+      showTab((await buildOutline()) ? 'outline' : 'thumbs');
+    }
+    onResize();
+  };
+  function markThumb() {
+    ui.thumbs.querySelector('.thumb.cur')?.classList.remove('cur');
+    const t = ui.thumbs.querySelector(`.thumb[data-page="${currentPage}"]`);
+    if (!t) return;
+    t.classList.add('cur');
+    if (!ui.thumbs.hidden && !ui.side.hidden) t.scrollIntoView({ block: 'nearest' });
+  }
+
+  //// Find: page texts are fetched once; matches are painted on rendered pages and scrolled to
+  const pageTexts = new Map();
+  async function pageText(n) {
+    if (!pageTexts.has(n)) {
+      const page = await pdf.getPage(n);
+      const content = await page.getTextContent();
+      pageTexts.set(n, content.items.map((it) => (it.str ?? '') + (it.hasEOL ? ' ' : '')).join('').toLowerCase());
+    }
+    return pageTexts.get(n);
+  }
+  const find = { query: '', hits: [], cur: -1, run: 0 };
+  function occurrences(text, q) {
+    const out = [];
+    for (let i = text.indexOf(q); i >= 0; i = text.indexOf(q, i + q.length)) out.push(i);
+    return out;
+  }
+  async function runFind(query) {
+    const run = ++find.run;
+    Object.assign(find, { query: query.toLowerCase(), hits: [], cur: -1 });
+    ui.viewer.querySelectorAll('.finds').forEach((l) => { l.innerHTML = ''; });
+    ui.findCount.textContent = '';
+    if (!find.query) return;
+    const from = currentPage || 1;
+    for (let n = 1; n <= pdf.numPages; n++) {
+      const text = await pageText(n);
+      if (run !== find.run) return;
+      occurrences(text, find.query).forEach((at, k) => find.hits.push({ page: n, k, at }));
+      // jump to the first match at or after the current page as soon as it is known
+      if (find.cur < 0 && n >= from && find.hits.length && find.hits.at(-1).page >= from) {
+        find.cur = find.hits.findIndex((h) => h.page >= from);
+        goToHit();
+      }
+      if (n % 20 === 0 || n === pdf.numPages) updateFindCount(n < pdf.numPages);
+    }
+    if (find.cur < 0 && find.hits.length) { find.cur = 0; goToHit(); }
+    updateFindCount(false);
+  }
+  function updateFindCount(searching) {
+    const total = find.hits.length;
+    ui.findCount.textContent = total ? `${find.cur + 1} / ${total}${searching ? '…' : ''}` : searching ? '…' : 'No matches';
+  }
+  function stepFind(dir) {
+    if (!find.hits.length) return;
+    find.cur = (find.cur + dir + find.hits.length) % find.hits.length;
+    goToHit();
+    updateFindCount(false);
+  }
+  let scrollToHit = false;
+  function goToHit() {
+    const hit = find.hits[find.cur];
+    showPage(hit.page);
+    scrollToHit = true;
+    ui.viewer.querySelectorAll('.page[data-rendered]').forEach(paintFinds);
+  }
+  // Boxes for every match on a rendered page, mapped onto its text layer
+  function paintFinds(el) {
+    const layer = el.querySelector('.finds');
+    const textDiv = el.querySelector('.textLayer');
+    if (!layer) return;
+    layer.innerHTML = '';
+    const n = +el.dataset.page;
+    const hits = find.hits.filter((h) => h.page === n);
+    if (!textDiv || !hits.length) return;
+    const nodes = textLayerNodes(textDiv);
+    const starts = [];
+    let text = '';
+    for (const node of nodes) { starts.push(text.length); text += nodeText(node); }
+    text = text.toLowerCase();
+    const box = el.getBoundingClientRect();
+    const locate = (off) => {
+      let i = starts.length - 1;
+      while (i > 0 && starts[i] > off) i--;
+      return [nodes[i], off - starts[i]];
+    };
+    // the layer's text can differ slightly from getTextContent(); match against it by occurrence
+    const found = occurrences(text, find.query);
+    for (const h of hits) {
+      const at = found[h.k];
+      if (at == null) continue;
+      const range = document.createRange();
+      const [sn, so] = locate(at);
+      const [en, eo] = locate(at + find.query.length - 1);
+      sn.nodeType === 3 ? range.setStart(sn, so) : range.setStartBefore(sn);
+      en.nodeType === 3 ? range.setEnd(en, eo + 1) : range.setEndAfter(en);
+      const current = find.hits[find.cur] === h;
+      for (const r of range.getClientRects()) {
+        if (r.width < 1 || r.height < 1) continue;
+        const d = document.createElement('div');
+        d.className = current ? 'find cur' : 'find';
+        d.style.cssText = `left:${(r.left - box.left) / box.width * 100}%;top:${(r.top - box.top) / box.height * 100}%;` +
+          `width:${r.width / box.width * 100}%;height:${r.height / box.height * 100}%`;
+        layer.appendChild(d);
+      }
+    }
+    if (scrollToHit && find.hits[find.cur]?.page === n) {
+      const cur = layer.querySelector('.find.cur');
+      if (cur) { cur.scrollIntoView({ block: 'center', inline: 'nearest' }); scrollToHit = false; }
+    }
+  }
+  let findTimer;
+  ui.findInput.value = '';
+  ui.findInput.oninput = () => {
+    clearTimeout(findTimer);
+    findTimer = setTimeout(() => runFind(ui.findInput.value.trim()), 300);
+  };
+  ui.findInput.onkeydown = (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const q = ui.findInput.value.trim().toLowerCase();
+    if (q !== find.query) { clearTimeout(findTimer); runFind(q); } else stepFind(e.shiftKey ? -1 : 1);
+  };
+  ui.findPrev.onclick = () => stepFind(-1);
+  ui.findNext.onclick = () => stepFind(1);
+
+  //// Marks: highlight boxes under the text layer, comments in the right margin, a ribbon per bookmark
+  function drawMarks(pageEl) {
+    const layer = pageEl.querySelector('.marks');
+    const n = +pageEl.dataset.page;
+    layer.innerHTML = '';
+    for (const m of marks) {
+      if (m.page !== n) continue;
+      if (m.kind === 'bookmark') {
+        layer.insertAdjacentHTML('beforeend', '<div class="ribbon" title="Bookmarked"></div>');
+        continue;
+      }
+      const color = COLORS[m.color] || COLORS.yellow;
+      for (const [x, y, w, h] of m.rects) {
+        const hl = document.createElement('div');
+        hl.className = 'hl';
+        hl.style.cssText = `left:${x * 100}%;top:${y * 100}%;width:${w * 100}%;height:${h * 100}%;background:${color}`;
+        layer.appendChild(hl);
+      }
+      if (m.comment) {
+        const pin = document.createElement('div');
+        pin.className = 'pin';
+        pin.dataset.mark = m.id;
+        pin.style.top = (m.rects[0]?.[1] || 0) * 100 + '%';
+        pin.style.borderColor = color;
+        pin.textContent = m.comment;
+        pin.title = m.comment;
+        layer.appendChild(pin);
+      }
+    }
+  }
+  function redraw(page) {
+    const el = ui.viewer.querySelector(`.page[data-page="${page}"]`);
+    if (el) drawMarks(el);
+    fillMarkList();
+  }
+  function fillMarkList() {
+    const sorted = [...marks].sort((a, b) => a.page - b.page || (a.kind === 'bookmark' ? -1 : 1));
+    ui.marksSel.innerHTML = `<option value="">Marks (${marks.length})</option>` + sorted.map((m) => {
+      const label = m.kind === 'bookmark' ? `★ Page ${m.page}` : `p. ${m.page} — ${(m.comment || m.quote || '').slice(0, 60)}`;
+      return `<option value="${m.page}">${label.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</option>`;
+    }).join('');
+    const bm = marks.some((m) => m.kind === 'bookmark' && m.page === currentPage);
+    ui.bookmarkBtn.textContent = bm ? '★' : '☆';
+    ui.bookmarkBtn.title = bm ? 'Remove bookmark' : 'Bookmark this page';
+  }
+
+  // the page under the top edge of the view
+  let currentPage = 0;
+  function trackPage() {
+    const top = ui.viewer.getBoundingClientRect().top + 40;
+    const el = [...ui.viewer.querySelectorAll('.page')].find((p) => p.getBoundingClientRect().bottom > top);
+    const n = el ? +el.dataset.page : 1;
+    if (n === currentPage) return;
+    currentPage = n;
+    if (document.activeElement !== ui.pageNo) ui.pageNo.value = n;
+    markThumb();
+    fillMarkList();
+    opts.onPage?.(n);
+  }
+  let scrollTick = 0;
+  ui.viewer.onscroll = () => {
+    if (scrollTick) return;
+    scrollTick = requestAnimationFrame(() => { scrollTick = 0; trackPage(); });
+  };
+
+  ui.marksSel.onchange = () => {
+    if (ui.marksSel.value) showPage(+ui.marksSel.value);
+    ui.marksSel.value = '';
+  };
+  ui.bookmarkBtn.onclick = async () => {
+    const page = currentPage || 1;
+    const bm = marks.find((m) => m.kind === 'bookmark' && m.page === page);
+    if (bm) {
+      await notes.remove(bm.id);
+      marks.splice(marks.indexOf(bm), 1);
+    } else {
+      marks.push(await notes.add({ kind: 'bookmark', page, color: null, rects: [], quote: '', comment: '' }));
+    }
+    redraw(page);
+  };
+
+  // Selecting text offers highlight colors; the highlight stays on the page the selection started in
+  let pendingSel = null;
+  function offerHighlight() {
+    const sel = getSelection();
+    ui.selTools.hidden = true;
+    pendingSel = null;
+    if (!notes || !sel.rangeCount || sel.isCollapsed) return;
+    const range = sel.getRangeAt(0);
+    const start = range.startContainer;
+    const pageEl = (start.nodeType === 1 ? start : start.parentElement)?.closest('.page');
+    if (!pageEl || !ui.viewer.contains(pageEl)) return;
+    const rects = rangeRects(range, pageEl);
+    if (!rects.length) return;
+    pendingSel = { page: +pageEl.dataset.page, rects, quote: sel.toString().replace(/\s+/g, ' ').trim().slice(0, 1000) };
+    const last = range.getClientRects()[range.getClientRects().length - 1] || range.getBoundingClientRect();
+    ui.selTools.style.left = Math.max(8, Math.min(innerWidth - 240, last.left)) + 'px';
+    ui.selTools.style.top = Math.min(innerHeight - 48, last.bottom + 8) + 'px';
+    ui.selTools.hidden = false;
+  }
+  ui.viewer.onmouseup = () => setTimeout(offerHighlight, 0);
+  ui.viewer.onkeyup = (e) => { if (e.shiftKey) offerHighlight(); };
+  ui.selTools.onmousedown = (e) => e.preventDefault(); // keep the selection alive
+  ui.selTools.onclick = async (e) => {
+    const b = e.target.closest('button[data-color]');
+    if (!b || !pendingSel) return;
+    const mark = await notes.add({ kind: 'highlight', color: b.dataset.color, comment: '', ...pendingSel });
+    marks.push(mark);
+    pendingSel = null;
+    ui.selTools.hidden = true;
+    getSelection().removeAllRanges();
+    redraw(mark.page);
+    if (b.dataset.comment) openMark(mark, e.clientX, e.clientY);
+  };
+
+  // Clicking a highlight (or its margin comment) opens it for editing
+  let editing = null;
+  function openMark(m, x, y) {
+    editing = { mark: m, color: m.color };
+    ui.pop.querySelector('.quote').textContent = m.quote ? `“${m.quote}”` : '';
+    ui.pop.querySelector('textarea').value = m.comment || '';
+    ui.pop.querySelectorAll('.pdf-swatch').forEach((s) => s.classList.toggle('on', s.dataset.color === m.color));
+    ui.pop.style.left = Math.max(8, Math.min(innerWidth - 280, x)) + 'px';
+    ui.pop.style.top = Math.max(8, Math.min(innerHeight - 220, y + 12)) + 'px';
+    ui.pop.hidden = false;
+    ui.pop.querySelector('textarea').focus();
+  }
+  ui.viewer.onclick = (e) => {
+    const pin = e.target.closest('.pin');
+    if (pin) {
+      const m = marks.find((x) => x.id === pin.dataset.mark);
+      if (m) openMark(m, e.clientX, e.clientY);
+      return;
+    }
+    if (!getSelection().isCollapsed) return;
+    const pageEl = e.target.closest('.page');
+    if (!pageEl) return;
+    const box = pageEl.getBoundingClientRect();
+    const px = (e.clientX - box.left) / box.width, py = (e.clientY - box.top) / box.height;
+    const hit = marks.find((m) => m.kind === 'highlight' && m.page === +pageEl.dataset.page &&
+      m.rects.some(([x, y, w, h]) => px >= x && px <= x + w && py >= y && py <= y + h));
+    if (hit) openMark(hit, e.clientX, e.clientY);
+  };
+  ui.pop.onclick = async (e) => {
+    const b = e.target.closest('button');
+    if (!b || !editing) return;
+    const m = editing.mark;
+    if (b.dataset.color) {
+      editing.color = b.dataset.color;
+      ui.pop.querySelectorAll('.pdf-swatch').forEach((s) => s.classList.toggle('on', s === b));
+      return;
+    }
+    if (b.dataset.act === 'save') {
+      Object.assign(m, { color: editing.color, comment: ui.pop.querySelector('textarea').value.trim() });
+      await notes.update(m);
+    } else if (b.dataset.act === 'delete') {
+      await notes.remove(m.id);
+      marks.splice(marks.indexOf(m), 1);
+    }
+    ui.pop.hidden = true;
+    editing = null;
+    redraw(m.page);
+  };
+
+  scale = computeScale();
+  ui.zoomSel.value = String(zoom);
   appendBatch(0);
+  fillMarkList();
+  if (opts.page > 1) showPage(opts.page);
+  trackPage();
 
   ui.closeBtn.onclick = () => {
     ui.modal.style.display = 'none';
     ui.viewer.innerHTML = '';
+    ui.selTools.hidden = ui.pop.hidden = true;
+    pageIO.disconnect();
+    batchIO.disconnect();
+    thumbIO.disconnect();
+    find.run++; // stops a search still walking the pages
+    window.removeEventListener('keydown', onKey);
+    window.removeEventListener('resize', onResize);
+    if (ownsSrc) URL.revokeObjectURL(src);
   };
-  window.addEventListener('keydown', escCloseOnce);
-  function escCloseOnce(ev) {
-    if (ev.key === 'Escape') { ui.closeBtn.click(); window.removeEventListener('keydown', escCloseOnce); }
+  window.addEventListener('keydown', onKey);
+  window.addEventListener('resize', onResize);
+  function onKey(ev) {
+    if ((ev.ctrlKey || ev.metaKey) && ev.key.toLowerCase() === 'f') {
+      ev.preventDefault();
+      ui.findInput.focus();
+      ui.findInput.select();
+      return;
+    }
+    if (ev.key !== 'Escape') return;
+    if (document.activeElement === ui.findInput || document.activeElement === ui.pageNo) { document.activeElement.blur(); return; }
+    if (!ui.pop.hidden || !ui.selTools.hidden) { ui.pop.hidden = ui.selTools.hidden = true; editing = null; return; }
+    ui.closeBtn.click();
   }
 }
 
@@ -0,0 +1,36 @@
+// js/ids.js
+// Collision-free text IDs for library rows (also the suffix of their CouchDB _id).
+// Exports: ulid(time?) → 26-char ULID, stableId(key) → Promise<26-char id derived from key>
+
+const B32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32
+
+let lastTime = -1;
+let lastRand = null;
+
+// time in ms → 10 chars, then 80 random bits; monotonic within one millisecond so
+// rows created in a tight loop still sort in creation order.
+export function ulid(time = Date.now()) {
+  let rand;
+  if (time === lastTime) {
+    rand = lastRand.slice();
+    for (let i = rand.length - 1; i >= 0; i--) {
+      if (rand[i] < 31) { rand[i]++; break; }
+      rand[i] = 0;
+    }
+  } else {
+    rand = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b & 31);
+  }
+  lastTime = time; lastRand = rand;
+
+  let t = '';
+  for (let i = 0, n = Math.max(0, Math.floor(time)); i < 10; i++, n = Math.floor(n / 32)) t = B32[n % 32] + t;
+  return t + rand.map(d => B32[d]).join('');
+}
+
+// Same key → same id on every device (SHA-256 based, same shape as a ULID)
+export async function stableId(key) {
+  const d = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key)));
+  let out = B32[d[0] & 7];
+  for (let i = 1; i < 26; i++) out += B32[d[i] & 31];
+  return out;
+}
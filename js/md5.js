@@ -0,0 +1,49 @@
+// js/md5.js
+// MD5, only to compare local blobs with CouchDB attachment digests (WebCrypto has no MD5).
+// Exports: md5(bytes) → Uint8Array(16), attachmentDigest(blob) → Promise<'md5-<base64>'>
+
+// per-round shift amounts and the sine-derived constants from RFC 1321
+const S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const K = Array.from({ length: 64 }, (_, i) => (Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+function compress(h, v, off) {
+  let [a, b, c, d] = h;
+  for (let i = 0; i < 64; i++) {
+    let f, g;
+    if (i < 16) { f = (b & c) | (~b & d); g = i; }
+    else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) & 15; }
+    else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) & 15; }
+    else { f = c ^ (b | ~d); g = (7 * i) & 15; }
+    const x = (a + f + K[i] + v.getUint32(off + g * 4, true)) | 0;
+    const s = S[(i >> 4) * 4 + (i & 3)];
+    a = d; d = c; c = b;
+    b = (b + ((x << s) | (x >>> (32 - s)))) | 0;
+  }
+  h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0; h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+}
+
+export function md5(bytes) {
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  const whole = bytes.length - (bytes.length % 64);
+  const v = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let off = 0; off < whole; off += 64) compress(h, v, off);
+
+  // the tail plus 0x80, zero padding and the bit length: one or two more blocks
+  const tail = new Uint8Array(bytes.length - whole < 56 ? 64 : 128);
+  tail.set(bytes.subarray(whole));
+  tail[bytes.length - whole] = 0x80;
+  const tv = new DataView(tail.buffer);
+  tv.setUint32(tail.length - 8, (bytes.length * 8) >>> 0, true);
+  tv.setUint32(tail.length - 4, Math.floor(bytes.length / 2 ** 29), true);
+  for (let off = 0; off < tail.length; off += 64) compress(h, tv, off);
+
+  const out = new Uint8Array(16);
+  const ov = new DataView(out.buffer);
+  h.forEach((w, i) => ov.setUint32(i * 4, w, true));
+  return out;
+}
+
+// Couch digests attachments it stores as-is (images, PDFs) as the MD5 of their bytes
+export async function attachmentDigest(blob) {
+  return 'md5-' + btoa(String.fromCharCode(...md5(new Uint8Array(await blob.arrayBuffer()))));
+}
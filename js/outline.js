@@ -0,0 +1,170 @@
+// js/outline.js
+// Syllabus outlines: subjects › topics › chunks as Markdown, CSV or JSON text.
+// Exports: OUTLINE_FORMATS, guessFormat(text, fileName?) → 'md'|'csv'|'json',
+//          parseOutline(text, format) → [{ name, topics:[{ name, chunks:[name] }] }], formatOutline(subjects, format) → string
+// Parse errors are thrown with the line (or JSON path) they are about.
+
+export const OUTLINE_FORMATS = {
+  md: { label: 'Markdown', ext: 'md', type: 'text/markdown' },
+  csv: { label: 'CSV', ext: 'csv', type: 'text/csv' },
+  json: { label: 'JSON', ext: 'json', type: 'application/json' }
+};
+const LEVELS = ['subject', 'topic', 'chunk'];
+
+export function guessFormat(text, fileName = '') {
+  const ext = fileName.toLowerCase().split('.').pop();
+  if (ext === 'json' || ext === 'csv') return ext;
+  if (ext === 'md' || ext === 'markdown' || ext === 'txt') return 'md';
+  const t = text.trimStart();
+  if (t.startsWith('[') || t.startsWith('{')) return 'json';
+  const first = t.split('\n', 1)[0];
+  return /^\s*([-*+#]|\d+[.)])\s/.test(first) || !first.includes(',') ? 'md' : 'csv';
+}
+
+// Folds (depth, name) items into the tree, reusing the last subject/topic of the same name
+function builder() {
+  const subjects = [];
+  let subject = null, topic = null;
+  const find = (list, name) => list.find((x) => x.name === name);
+  return {
+    subjects,
+    add(depth, name, where) {
+      if (depth === 0) {
+        subject = find(subjects, name) || (subjects.push({ name, topics: [] }), subjects.at(-1));
+        topic = null;
+      } else if (depth === 1) {
+        if (!subject) throw new Error(`${where}: topic "${name}" is not under a subject`);
+        topic = find(subject.topics, name) || (subject.topics.push({ name, chunks: [] }), subject.topics.at(-1));
+      } else if (depth === 2) {
+        if (!topic) throw new Error(`${where}: chunk "${name}" is not under a topic`);
+        if (!topic.chunks.includes(name)) topic.chunks.push(name);
+      } else {
+        throw new Error(`${where}: "${name}" is nested deeper than subject › topic › chunk`);
+      }
+    }
+  };
+}
+
+/* ---------- Markdown ----------
+   Headings (# subject, ## topic, ### chunk) and/or an indented list; list items continue below the last heading. */
+function parseMarkdown(text) {
+  const b = builder();
+  let base = 0;       // depth of the first list level
+  let indents = [];   // indent widths of the open list levels
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    const where = `Line ${i + 1}`;
+    const h = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+    if (h) {
+      b.add(h[1].length - 1, h[2], where);
+      base = h[1].length; indents = [];
+      return;
+    }
+    const m = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*?)\s*$/.exec(line.replace(/\t/g, '  '));
+    if (!m) throw new Error(`${where}: expected a heading or a list item`);
+    const indent = m[1].length;
+    while (indents.length && indents.at(-1) > indent) indents.pop();
+    if (!indents.length || indents.at(-1) < indent) indents.push(indent);
+    if (m[2]) b.add(base + indents.length - 1, m[2], where);
+  });
+  return b.subjects;
+}
+
+function formatMarkdown(subjects) {
+  return subjects.map((s) => [`# ${s.name}`, ...s.topics.flatMap((t) => [
+    `- ${t.name}`, ...t.chunks.map((c) => `  - ${c}`)
+  ])].join('\n')).join('\n\n') + '\n';
+}
+
+/* ---------- CSV: subject,topic,chunk per row (topic and chunk may be empty), optional header row ---------- */
+function csvRows(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false, line = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { field += ch; if (ch === '\n') line++; }
+    } else if (ch === '"' && !field) quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push({ row, line }); row = []; field = ''; line++;
+    } else field += ch;
+  }
+  if (quoted) throw new Error(`Line ${line}: unclosed quote`);
+  if (field || row.length) { row.push(field); rows.push({ row, line }); }
+  return rows;
+}
+
+function parseCsv(text) {
+  const b = builder();
+  const rows = csvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length && rows[0].row.map((f) => f.trim().toLowerCase()).join(',') === LEVELS.join(',')) rows.shift();
+  for (const { row, line } of rows) {
+    const names = row.map((f) => f.trim());
+    if (!names.some(Boolean)) continue;
+    if (names.length > 3 && names.slice(3).some(Boolean)) throw new Error(`Line ${line}: more than subject, topic, chunk`);
+    const where = `Line ${line}`;
+    names.slice(0, 3).forEach((name, depth) => {
+      if (name) b.add(depth, name, where);
+      else if (names.slice(depth + 1, 3).some(Boolean)) throw new Error(`${where}: the ${LEVELS[depth]} is empty`);
+    });
+  }
+  return b.subjects;
+}
+
+const csvField = (s) => (/[",\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s);
+function formatCsv(subjects) {
+  const rows = [LEVELS];
+  for (const s of subjects) {
+    if (!s.topics.length) rows.push([s.name]);
+    for (const t of s.topics) {
+      if (!t.chunks.length) rows.push([s.name, t.name]);
+      for (const c of t.chunks) rows.push([s.name, t.name, c]);
+    }
+  }
+  return rows.map((r) => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/* ---------- JSON: [{ name, topics:[{ name, chunks:[name | { name }] }] }], or that array as { subjects } ---------- */
+function parseJson(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (err) { throw new Error('Not valid JSON: ' + err.message); }
+  const b = builder();
+  const list = (v, path) => {
+    if (v === undefined) return [];
+    if (!Array.isArray(v)) throw new Error(`${path} should be a list`);
+    return v;
+  };
+  const nameOf = (v, path) => {
+    const name = typeof v === 'string' ? v : v?.name;
+    if (typeof name !== 'string' || !name.trim()) throw new Error(`${path} has no name`);
+    return name.trim();
+  };
+  list(Array.isArray(data) ? data : data?.subjects, 'subjects').forEach((s, i) => {
+    const sp = `subjects[${i}]`;
+    b.add(0, nameOf(s, sp), sp);
+    list(s.topics, `${sp}.topics`).forEach((t, j) => {
+      const tp = `${sp}.topics[${j}]`;
+      b.add(1, nameOf(t, tp), tp);
+      list(t.chunks, `${tp}.chunks`).forEach((c, k) => b.add(2, nameOf(c, `${tp}.chunks[${k}]`), tp));
+    });
+  });
+  return b.subjects;
+}
+
+const formatJson = (subjects) => JSON.stringify({ subjects }, null, 2) + '\n';
+
+export function parseOutline(text, format) {
+  const parse = { md: parseMarkdown, csv: parseCsv, json: parseJson }[format];
+  if (!parse) throw new Error(`Unknown outline format: ${format}`);
+  return parse(text);
+}
+
+export function formatOutline(subjects, format) {
+  const out = { md: formatMarkdown, csv: formatCsv, json: formatJson }[format];
+  if (!out) throw new Error(`Unknown outline format: ${format}`);
+  return out(subjects);
+}
@@ -0,0 +1,85 @@
+// js/sqlite-client.js
+// Page side of js/sqlite-worker.js: an async, message-based handle on the library database.
+// Exports: openDatabase({ name, image?, onImage? }) → Promise<{ mode, migrated, exec, select, tx, export, replace, load, remove }>
+//   name: the profile whose database file to open
+//   image: the old IndexedDB image, imported into OPFS on first open (or opened as-is by the sql.js fallback)
+//   onImage(bytes): called with a fresh whole-database image when the fallback wants it saved
+
+export async function openDatabase({ name, image = null, onImage = null } = {}) {
+  const worker = new Worker(new URL('./sqlite-worker.js', import.meta.url));
+  let seq = 0;
+  const waiting = new Map(); // request id → { resolve, reject }
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'image') { onImage?.(msg.bytes); return; }
+    const req = waiting.get(msg.id); if (!req) return;
+    waiting.delete(msg.id);
+    if (msg.error) req.reject(new Error(msg.error)); else req.resolve(msg.result);
+  };
+  worker.onerror = (e) => {
+    const err = new Error('Database worker failed: ' + (e.message || 'unknown error'));
+    for (const req of waiting.values()) req.reject(err);
+    waiting.clear();
+  };
+
+  const call = (op, args = {}, transfer = []) => new Promise((resolve, reject) => {
+    const id = ++seq;
+    waiting.set(id, { resolve, reject });
+    worker.postMessage({ id, op, ...args }, transfer);
+  });
+
+  // One transaction at a time, and nothing else meanwhile: while tx(fn) is open every other call waits for
+  // it to end. fn gets the handle its own statements go through; calling db.* from inside fn would deadlock.
+  let open = null; // settles when the open transaction commits or rolls back
+  const locked = (op) => async (...args) => {
+    while (open) await open;
+    return op(...args); // posted before anything that waited longer gets to begin
+  };
+
+  const { mode, migrated } = await call('open', { name, image });
+  const inner = {
+    exec: (sql, bind) => call('exec', { sql, bind }),
+    select: (sql, bind) => call('select', { sql, bind }),
+    // fn(tx) runs between begin and commit (rolled back if it throws); nested, as a savepoint
+    async tx(fn) {
+      await call('begin');
+      try {
+        const out = await fn(inner);
+        await call('commit');
+        return out;
+      } catch (err) {
+        await call('rollback').catch(() => {});
+        throw err;
+      }
+    }
+  };
+  const db = {
+    mode, migrated,
+    exec: locked(inner.exec),
+    select: locked(inner.select),
+    async tx(fn) {
+      while (open) await open;
+      let done;
+      open = new Promise((resolve) => { done = resolve; });
+      try {
+        return await inner.tx(fn);
+      } finally {
+        open = null; done();
+      }
+    },
+    export: locked(() => call('export')),
+    replace: locked((bytes) => call('replace', { bytes })),
+    // read-only copy of another database (e.g. from a backup) → { select, close }; not held off by transactions here
+    async load(bytes) {
+      const handle = await call('load', { bytes });
+      return {
+        select: (sql, bind) => call('select', { sql, bind, handle }),
+        close: () => call('close', { handle })
+      };
+    },
+    // drops another profile's database file → whether there was one
+    remove: locked((other) => call('remove', { name: other }))
+  };
+  return db;
+}
@@ -0,0 +1,147 @@
+// js/sqlite-worker.js
+// Classic worker that owns the library database, so queries and persistence stay off the UI thread.
+// Prefers the official sqlite3 WASM build (lib/sqlite/, the one debug-sqlite.html probes) on OPFS, where each
+// committed transaction is written page by page. Without OPFS it runs sql.js in memory and hands the whole
+// image back to the page, which keeps it in IndexedDB as before.
+// Protocol (see js/sqlite-client.js): { id, op, ...args } → { id, result } | { id, error };
+// unsolicited { type:'image', bytes } in the sql.js fallback whenever the image should be saved.
+// Each profile has its own file, /<name>.sqlite3.
+
+const dbFile = (name) => `/${name}.sqlite3`;
+const SAVE_DELAY = 250;
+// both engines are vendored: the library must open without any other host
+const SQLITE_DIR = new URL('../lib/sqlite/', self.location).href; // sqlite3.js, sqlite3.wasm, sqlite3-opfs-async-proxy.js
+const SQLJS_DIR = new URL('../lib/sqljs/', self.location).href;
+
+let engine = null;
+let txDepth = 0;          // open begin…commit spans; the sql.js image is never taken inside one
+const aux = new Map();    // handle → read-only copy of another database (backup files)
+let auxSeq = 0;
+
+// oo1 refuses to bind an empty list to a statement without parameters
+const bindOf = (bind) => (bind && (!Array.isArray(bind) || bind.length) ? bind : undefined);
+
+/* ---------- Official build on OPFS ---------- */
+async function openOpfs(file, image) {
+  importScripts(SQLITE_DIR + 'sqlite3.js');
+  const sqlite3 = await self.sqlite3InitModule({ locateFile: (f) => SQLITE_DIR + f });
+  let exists, importDb, reopen, remove, mode;
+  if (sqlite3.oo1.OpfsDb) {
+    const dir = await navigator.storage.getDirectory();
+    exists = await dir.getFileHandle(file.slice(1)).then(() => true, () => false);
+    importDb = (bytes) => sqlite3.oo1.OpfsDb.importDb(file, bytes);
+    reopen = () => new sqlite3.oo1.OpfsDb(file, 'c');
+    remove = async (f) => {
+      await dir.removeEntry(f.slice(1) + '-journal').catch(() => {});
+      return dir.removeEntry(f.slice(1)).then(() => true, (err) => { if (err.name !== 'NotFoundError') throw err; return false; });
+    };
+    mode = 'OPFS';
+  } else {
+    // the plain "opfs" VFS needs SharedArrayBuffer (COOP/COEP); the SAH pool does not
+    const pool = await sqlite3.installOpfsSAHPoolVfs({ name: 'techstudy' });
+    exists = pool.getFileNames().includes(file);
+    importDb = (bytes) => pool.importDb(file, bytes);
+    reopen = () => new pool.OpfsSAHPoolDb(file);
+    remove = (f) => pool.unlink(f);
+    mode = 'OPFS (pool)';
+  }
+  const migrated = !exists && !!image;
+  if (migrated) await importDb(image);
+  let db = reopen();
+
+  const run = (d, sql, bind) => d.exec({ sql, bind: bindOf(bind) });
+  const rows = (d, sql, bind) => d.exec({ sql, bind: bindOf(bind), rowMode: 'object', returnValue: 'resultRows' });
+  return {
+    mode, migrated,
+    exec: (sql, bind) => { run(db, sql, bind); },
+    select: (sql, bind) => rows(db, sql, bind),
+    export: () => sqlite3.capi.sqlite3_js_db_export(db),
+    async replace(bytes) { db.close(); await importDb(bytes); db = reopen(); },
+    load(bytes) {
+      const d = new sqlite3.oo1.DB();
+      const p = sqlite3.wasm.allocFromTypedArray(bytes);
+      const { capi } = sqlite3;
+      d.checkRc(capi.sqlite3_deserialize(d.pointer, 'main', p, bytes.length, bytes.length,
+        capi.SQLITE_DESERIALIZE_FREEONCLOSE | capi.SQLITE_DESERIALIZE_RESIZEABLE));
+      return { select: (sql, bind) => rows(d, sql, bind), close: () => d.close() };
+    },
+    remove,
+    saved: () => {} // OPFS writes are already durable
+  };
+}
+
+/* ---------- sql.js in memory, image saved by the page ---------- */
+async function openSqlJs(image) {
+  importScripts(SQLJS_DIR + 'sql-wasm.js');
+  const SQL = await self.initSqlJs({ locateFile: (f) => SQLJS_DIR + f });
+
+  const rows = (d, sql, bind) => {
+    const out = []; const st = d.prepare(sql);
+    try { if (bindOf(bind)) st.bind(bind); while (st.step()) out.push(st.getAsObject()); } finally { st.free(); }
+    return out;
+  };
+  let db = image ? new SQL.Database(image) : new SQL.Database();
+  let saveTimer = null;
+  const takeImage = () => {
+    saveTimer = null;
+    if (txDepth) { saveTimer = setTimeout(takeImage, SAVE_DELAY); return; }
+    const bytes = db.export();
+    db.exec('PRAGMA foreign_keys=ON;'); // export() reopens the connection with foreign keys off
+    self.postMessage({ type: 'image', bytes }, [bytes.buffer]);
+  };
+  return {
+    mode: 'IndexedDB', migrated: false,
+    exec(sql, bind) {
+      if (bindOf(bind)) rows(db, sql, bind); else db.exec(sql); // unbound text may hold several statements
+    },
+    select: (sql, bind) => rows(db, sql, bind),
+    export: () => db.export(),
+    replace(bytes) { db.close(); db = new SQL.Database(bytes); },
+    load(bytes) {
+      const d = new SQL.Database(bytes);
+      return { select: (sql, bind) => rows(d, sql, bind), close: () => d.close() };
+    },
+    remove: () => false, // nothing on disk: the image lives in the profile's IndexedDB
+    saved() { clearTimeout(saveTimer); saveTimer = setTimeout(takeImage, SAVE_DELAY); }
+  };
+}
+
+/* ---------- Messages ---------- */
+const ops = {
+  async open({ name, image, opfs = true }) {
+    if (opfs) {
+      try { engine = await openOpfs(dbFile(name), image); } catch (_) {} // no OPFS here: sql.js below
+    }
+    if (!engine) engine = await openSqlJs(image);
+    return { mode: engine.mode, migrated: engine.migrated };
+  },
+  exec({ sql, bind }) { engine.exec(sql, bind); engine.saved(); },
+  select: ({ sql, bind, handle }) => (handle ? aux.get(handle) : engine).select(sql, bind),
+  begin() { engine.exec(txDepth ? `savepoint sp${txDepth}` : 'begin'); txDepth++; },
+  commit() { txDepth--; engine.exec(txDepth ? `release sp${txDepth}` : 'commit'); engine.saved(); },
+  rollback() {
+    txDepth--;
+    engine.exec(txDepth ? `rollback to sp${txDepth}; release sp${txDepth}` : 'rollback');
+  },
+  export: () => engine.export(),
+  async replace({ bytes }) { await engine.replace(bytes); engine.saved(); },
+  load({ bytes }) { const handle = ++auxSeq; aux.set(handle, engine.load(bytes)); return handle; },
+  close({ handle }) { aux.get(handle)?.close(); aux.delete(handle); },
+  // another profile's database file (never the open one)
+  remove: ({ name }) => engine.remove(dbFile(name))
+};
+
+// one request at a time, in arrival order: a transaction spans several messages
+let chain = Promise.resolve();
+self.onmessage = (e) => {
+  const { id, op, ...args } = e.data;
+  chain = chain.then(async () => {
+    try {
+      const result = await ops[op](args);
+      const transfer = result instanceof Uint8Array ? [result.buffer] : [];
+      self.postMessage({ id, result }, transfer);
+    } catch (err) {
+      self.postMessage({ id, error: String(err?.message || err) });
+    }
+  });
+};
@@ -0,0 +1,40 @@
+// js/srs.js
+// SM-2 spaced-repetition scheduling for flashcards (dependency-free).
+// Exports: GRADES, schedule(card, quality, now?)
+
+const DAY = 24 * 60 * 60;
+const RELEARN = 10 * 60; // a failed card comes back in the same session
+
+// Four answer buttons mapped onto SM-2 quality (0..5)
+export const GRADES = [
+  { quality: 1, label: 'Again', key: '1' },
+  { quality: 3, label: 'Hard', key: '2' },
+  { quality: 4, label: 'Good', key: '3' },
+  { quality: 5, label: 'Easy', key: '4' },
+];
+
+// card: { ease, interval (days), reps, lapses }; now: unix seconds
+// Returns the card's next { ease, interval, reps, lapses, due_at }.
+export function schedule(card, quality, now = Math.floor(Date.now() / 1000)) {
+  let ease = Number(card.ease) || 2.5;
+  let interval = Number(card.interval) || 0;
+  let reps = Number(card.reps) || 0;
+  let lapses = Number(card.lapses) || 0;
+
+  ease = Math.max(1.3, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  if (quality < 3) {
+    reps = 0;
+    interval = 0;
+    lapses += 1;
+    return { ease, interval, reps, lapses, due_at: now + RELEARN };
+  }
+
+  if (reps === 0) interval = 1;
+  else if (reps === 1) interval = 6;
+  else interval = Math.round(interval * ease);
+  if (quality === 3) interval = Math.max(1, Math.round(interval * 0.8));
+  reps += 1;
+
+  return { ease, interval, reps, lapses, due_at: now + interval * DAY };
+}
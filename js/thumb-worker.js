@@ -0,0 +1,19 @@
+// js/thumb-worker.js
+// Module worker behind js/thumbs.js: decodes a page once and encodes every requested size.
+// In: { id, blob, sizes } → out: { id, out: { [size]: Blob } } or { id, error }
+
+import { encodeSizes } from './thumbs.js';
+
+self.onmessage = async (e) => {
+  const { id, blob, sizes } = e.data;
+  try {
+    const bitmap = await createImageBitmap(blob);
+    try {
+      self.postMessage({ id, out: await encodeSizes(bitmap, sizes, (w, h) => new OffscreenCanvas(w, h)) });
+    } finally {
+      bitmap.close();
+    }
+  } catch (err) {
+    self.postMessage({ id, error: String(err?.message || err) });
+  }
+};
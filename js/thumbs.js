@@ -0,0 +1,68 @@
+// js/thumbs.js
+// Downscaled copies of image pages (thumbnail + card preview), encoded once in a worker.
+// Exports: THUMB_SIZES, makeThumbs(blob, sizes?) → { [size]: Blob }, encodeSizes(bitmap, sizes, newCanvas)
+
+// Longest edge in px, about twice the size they are shown at
+export const THUMB_SIZES = { thumb: 96, preview: 360 };
+
+const toBlob = (canvas, type, quality) => canvas.convertToBlob
+  ? canvas.convertToBlob({ type, quality })
+  : new Promise((res, rej) => canvas.toBlob((b) => (b ? res(b) : rej(new Error('Could not encode the image'))), type, quality));
+
+// One decoded bitmap → a WebP per size (PNG where WebP cannot be encoded); never upscales.
+// newCanvas(w, h) is an OffscreenCanvas in the worker and a <canvas> on the main thread.
+export async function encodeSizes(bitmap, sizes, newCanvas) {
+  const out = {};
+  for (const [name, px] of Object.entries(sizes)) {
+    const k = Math.min(1, px / Math.max(bitmap.width, bitmap.height));
+    const w = Math.max(1, Math.round(bitmap.width * k));
+    const h = Math.max(1, Math.round(bitmap.height * k));
+    const canvas = newCanvas(w, h);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, w, h);
+    out[name] = await toBlob(canvas, 'image/webp', 0.8);
+  }
+  return out;
+}
+
+let worker = null; // null: not tried yet, false: unavailable
+let seq = 0;
+const waiting = new Map(); // request id → { resolve, reject }
+
+function getWorker() {
+  if (worker !== null) return worker;
+  try {
+    worker = new Worker(new URL('./thumb-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      const req = waiting.get(e.data.id); if (!req) return;
+      waiting.delete(e.data.id);
+      if (e.data.error) req.reject(new Error(e.data.error)); else req.resolve(e.data.out);
+    };
+    worker.onerror = () => { // e.g. no module workers: everything falls back to the main thread
+      worker = false;
+      for (const req of waiting.values()) req.reject(new Error('Thumbnail worker failed'));
+      waiting.clear();
+    };
+  } catch {
+    worker = false;
+  }
+  return worker;
+}
+
+export async function makeThumbs(blob, sizes = THUMB_SIZES) {
+  const w = typeof OffscreenCanvas !== 'undefined' && getWorker();
+  if (w) {
+    try {
+      return await new Promise((resolve, reject) => {
+        const id = ++seq;
+        waiting.set(id, { resolve, reject });
+        w.postMessage({ id, blob, sizes });
+      });
+    } catch { /* decode on the main thread instead */ }
+  }
+  const bitmap = await createImageBitmap(blob);
+  try {
+    return await encodeSizes(bitmap, sizes, (cw, ch) => Object.assign(document.createElement('canvas'), { width: cw, height: ch }));
+  } finally {
+    bitmap.close?.();
+  }
+}
@@ -0,0 +1,135 @@
+// js/zip.js
+// Minimal store-only (uncompressed) ZIP writer/reader, used for library backups.
+// Exports: createZip(entries) → Blob, readZip(blob) → Map<name, Blob>
+// entries: [{ name, data: Blob | Uint8Array | string, date? }]
+// No ZIP64: more than 65534 entries or 4 GB are refused, not written into fields they overflow.
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+async function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  return new Uint8Array(await data.arrayBuffer());
+}
+
+const MAX_ENTRIES = 0xFFFE;     // 0xFFFF in the end record means "see the ZIP64 record"
+const MAX_OFFSET = 0xFFFFFFFE;  // likewise 0xFFFFFFFF
+
+//// ---------- Writer ----------
+export async function createZip(entries) {
+  if (entries.length > MAX_ENTRIES) throw new Error(`Backup has too many files for a ZIP archive (${entries.length}, at most ${MAX_ENTRIES})`);
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const e of entries) {
+    const bytes = await toBytes(e.data);
+    const name = enc.encode(e.name);
+    const crc = crc32(bytes);
+    const { time, date } = dosDateTime(e.date || new Date());
+    if (offset + 30 + name.length + bytes.length > MAX_OFFSET) throw new Error('Backup too large for a ZIP archive (4 GB)');
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);        // version needed
+    local.setUint16(6, 0x0800, true);    // UTF-8 names
+    local.setUint16(8, 0, true);         // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    // keep Blobs as Blobs so big images are not copied again
+    parts.push(local.buffer, name, e.data instanceof Blob ? e.data : bytes);
+
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint16(4, 20, true);
+    cd.setUint16(6, 20, true);
+    cd.setUint16(8, 0x0800, true);
+    cd.setUint16(10, 0, true);
+    cd.setUint16(12, time, true);
+    cd.setUint16(14, date, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, bytes.length, true);
+    cd.setUint32(24, bytes.length, true);
+    cd.setUint16(28, name.length, true);
+    cd.setUint32(42, offset, true);
+    central.push(cd.buffer, name);
+
+    offset += 30 + name.length + bytes.length;
+  }
+
+  const cdSize = central.reduce((n, p) => n + p.byteLength, 0);
+  if (offset + cdSize > MAX_OFFSET) throw new Error('Backup too large for a ZIP archive (4 GB)');
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+}
+
+//// ---------- Reader ----------
+export async function readZip(blob) {
+  // End-of-central-directory record sits in the last 22 (+ comment ≤ 64K) bytes
+  const tailStart = Math.max(0, blob.size - 22 - 0xFFFF);
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+  let eocd = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+  const count = tail.getUint16(eocd + 10, true);
+  const cdSize = tail.getUint32(eocd + 12, true);
+  const cdOffset = tail.getUint32(eocd + 16, true);
+  if (count === 0xFFFF || cdOffset === 0xFFFFFFFF || cdSize === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+
+  const cd = new DataView(await blob.slice(cdOffset, cdOffset + cdSize).arrayBuffer());
+  const dec = new TextDecoder();
+  const out = new Map();
+  let p = 0;
+  for (let i = 0; i < count; i++) {
+    if (cd.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+    const method = cd.getUint16(p + 10, true);
+    const size = cd.getUint32(p + 20, true);
+    const nameLen = cd.getUint16(p + 28, true);
+    const extraLen = cd.getUint16(p + 30, true);
+    const commentLen = cd.getUint16(p + 32, true);
+    const localOffset = cd.getUint32(p + 42, true);
+    const name = dec.decode(new Uint8Array(cd.buffer, cd.byteOffset + p + 46, nameLen));
+    if (method !== 0) throw new Error(`Unsupported compression in ${name}`);
+
+    const lh = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+    const dataStart = localOffset + 30 + lh.getUint16(26, true) + lh.getUint16(28, true);
+    out.set(name, blob.slice(dataStart, dataStart + size));
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return out;
+}
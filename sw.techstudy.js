@@ -1,6 +1,6 @@
 /* sw.techstudy.js — TechStudy Notes (SQLite + IndexedDB) */
 const APP_NS = 'techstudy';
-const VERSION = 'v17'; // bump on every change
+const VERSION = 'v21'; // bump on every change
 const CACHE_NAME = `study-notes-${APP_NS}-${VERSION}`;
 
 const SCOPE_PATH = new URL(self.registration?.scope || self.location.href)
@@ -22,6 +22,9 @@ const CORE_ASSETS = [
   './index.html',
   './lib/sqljs/sql-wasm.js',
   './lib/sqljs/sql-wasm.wasm',
+  './lib/sqlite/sqlite3.js',
+  './lib/sqlite/sqlite3.wasm',
+  './lib/sqlite/sqlite3-opfs-async-proxy.js',
   './lib/pouchdb.min.js',
   './lib/pdfjs/pdf.mjs',
   './lib/pdfjs/pdf.worker.mjs',
@@ -46,8 +49,14 @@ self.addEventListener('activate', (event) => {
   })());
 });
 
+// 'skipWaiting', or a { type: 'pdf-…' } request for the tile cache answered on event.ports[0]
 self.addEventListener('message', (event) => {
-  if (event.data === 'skipWaiting') self.skipWaiting();
+  if (event.data === 'skipWaiting') { self.skipWaiting(); return; }
+  const msg = event.data;
+  if (typeof msg?.type !== 'string' || !msg.type.startsWith('pdf-')) return;
+  const reply = (data) => event.ports?.[0]?.postMessage(data);
+  if (!TileDB) { reply({ error: 'The PDF tile cache is unavailable (PouchDB did not load)' }); return; }
+  event.waitUntil(handleTileMessage(msg, reply).catch((e) => reply({ error: e.message || String(e) })));
 });
 
 function cacheKeyFor(request) {
@@ -83,18 +92,29 @@ function driveCandidates(fileId) {
   ];
 }
 
-async function getTotalSize(upstreamUrl) {
+// Size plus whatever identifies this version of the file: { size, etag, modified }
+async function getFileInfo(cand, fileId) {
+  if (cand.via === 'v3' && DRIVE_API_KEY) {
+    try {
+      const r = await fetch(`https://www.googleapis.com/drive/v3/files/${fileId}?fields=size,modifiedTime,md5Checksum&supportsAllDrives=true&key=${encodeURIComponent(DRIVE_API_KEY)}`, REFERRER_INIT);
+      if (r.ok) {
+        const j = await r.json();
+        if (+j.size > 0) return { size: +j.size, etag: j.md5Checksum || '', modified: j.modifiedTime || '' };
+      }
+    } catch {}
+  }
+  const info = (resp, size) => ({ size, etag: resp.headers.get('ETag') || '', modified: resp.headers.get('Last-Modified') || '' });
   try {
-    const head = await fetch(upstreamUrl, { method: 'HEAD', ...REFERRER_INIT });
+    const head = await fetch(cand.url, { method: 'HEAD', ...REFERRER_INIT });
     const len = +head.headers.get('Content-Length');
-    if (len > 0) return len;
+    if (head.ok && len > 0) return info(head, len);
   } catch {}
   try {
-    const probe = await fetch(upstreamUrl, { headers: { Range: 'bytes=0-0' }, ...REFERRER_INIT });
+    const probe = await fetch(cand.url, { headers: { Range: 'bytes=0-0' }, ...REFERRER_INIT });
     const cr = probe.headers.get('Content-Range');
-    if (cr) return parseInt(cr.split('/')[1], 10);
+    if (cr) return info(probe, parseInt(cr.split('/')[1], 10));
   } catch {}
-  return 0;
+  return null;
 }
 
 async function fetchTile(upstreamUrl, start, end, allowReadBytes) {
@@ -110,87 +130,511 @@ async function fetchTile(upstreamUrl, start, end, allowReadBytes) {
   return resp; // opaque or non-CORS → pass-through
 }
 
+// The upstream is re-checked at most this often; in between (and offline) the tile index is trusted
+const VERSION_CHECK_MS = 10 * 60 * 1000;
+const checkedAt = new Map(); // fileId → time of the last successful check
+
+// First candidate that reports a size, or null when none does and nothing is cached.
+// A changed size or version drops the cached tiles before anything is served from them.
+async function resolveUpstream(fileId) {
+  const cands = driveCandidates(fileId);
+  const meta = metaCache.get(fileId);
+  const known = meta?.totalSize && cands.find((c) => c.via === meta.via);
+  const cached = known && { upstream: known.url, allowRead: known.cors, totalSize: meta.totalSize, via: known.via };
+  if (cached && Date.now() - (checkedAt.get(fileId) || 0) < VERSION_CHECK_MS) return cached;
+  for (const c of cands) {
+    const info = await getFileInfo(c, fileId);
+    if (!info?.size) continue;
+    checkedAt.set(fileId, Date.now());
+    if (TileDB && c.cors) await noteVersion(fileId, c.via, info);
+    return { upstream: c.url, allowRead: c.cors, totalSize: info.size, via: c.via };
+  }
+  if (cached) checkedAt.set(fileId, Date.now()); // offline: keep serving the cached version
+  return cached || null;
+}
+
+// Bytes [start, end] of one tile, from the cache or the network (then cached). Throws rather than
+// returning fewer bytes than asked for.
+async function readTile(src, fileId, i) {
+  const tileStart = i * TILE_SIZE;
+  const tileEnd = Math.min(tileStart + TILE_SIZE - 1, src.totalSize - 1);
+  if (TileDB && metaCache.get(fileId)?.tiles[i]) {
+    try {
+      const cached = await TileDB.getAttachment(tileId(fileId, i), 'bin');
+      if (cached?.size === tileEnd - tileStart + 1) {
+        touchTile(fileId, i);
+        return cached;
+      }
+    } catch {}
+  }
+  const got = await fetchTile(src.upstream, tileStart, tileEnd, true);
+  if (got instanceof Response) throw new Error(`Drive answered HTTP ${got.status} for bytes ${tileStart}-${tileEnd}`);
+  if (got.size !== tileEnd - tileStart + 1) throw new Error(`Drive sent ${got.size} of ${tileEnd - tileStart + 1} bytes for part ${i + 1}`);
+  if (TileDB) {
+    try {
+      await storeTile(fileId, i, tileStart, tileEnd, got);
+      queueBudgetCheck();
+    } catch {}
+  }
+  return got;
+}
+
+// Slices of the tiles covering [start, end], in order
+async function* tileSlices(src, fileId, start, end) {
+  for (let i = Math.floor(start / TILE_SIZE); i * TILE_SIZE <= end; i++) {
+    const tile = await readTile(src, fileId, i);
+    const base = i * TILE_SIZE;
+    yield tile.slice(Math.max(start, base) - base, Math.min(end, base + tile.size - 1) - base + 1);
+  }
+}
+
+function proxyError(status, message, extra = {}) {
+  return new Response(message, { status, statusText: message, headers: { 'Content-Type': 'text/plain', ...extra } });
+}
+
+// 'bytes=a-b', 'bytes=a-' or 'bytes=-n' → [start, end] within the file, or null if unsatisfiable
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)/.exec(header || '');
+  if (!m || (!m[1] && !m[2])) return null;
+  let start, end;
+  if (!m[1]) { start = Math.max(0, size - +m[2]); end = size - 1; }
+  else { start = +m[1]; end = m[2] ? Math.min(+m[2], size - 1) : size - 1; }
+  return start <= end && start < size ? [start, end] : null;
+}
+
 async function handleDrivePdf(req, url) {
   const prefix = SCOPE_PATH + 'drivepdf/';
   const fileId = url.pathname.slice(prefix.length).split('/')[0];
+  if (TileDB) await loadIndex().catch(() => {});
 
-  const cands = driveCandidates(fileId);
-  let upstream = cands[0].url;
-  let allowRead = cands[0].cors;
-
+  const src = await resolveUpstream(fileId);
+  if (!src) return proxyError(502, 'Could not reach this PDF on Google Drive (every source failed)');
   const range = req.headers.get('range');
-  if (!range) return fetch(upstream, REFERRER_INIT);
 
-  let totalSize = await getTotalSize(upstream);
-  if (!totalSize) {
-    for (let i = 1; i < cands.length && !totalSize; i++) {
-      try {
-        const size = await getTotalSize(cands[i].url);
-        if (size) {
-          upstream = cands[i].url;
-          allowRead = cands[i].cors;
-          totalSize = size;
-          break;
-        }
-      } catch {}
-    }
+  if (!src.allowRead) {
+    // the bytes cannot be read here, so nothing can be tiled; let the browser deal with the source
+    const init = range ? { headers: { Range: range }, ...REFERRER_INIT } : REFERRER_INIT;
+    return fetch(src.upstream, init).catch(() => proxyError(502, 'Could not download this PDF from Google Drive'));
+  }
+
+  const headers = { 'Content-Type': 'application/pdf', 'Accept-Ranges': 'bytes' };
+  if (!range) {
+    // Whole file, one tile at a time: readers that switch to range requests cancel after the first tile
+    const slices = tileSlices(src, fileId, 0, src.totalSize - 1);
+    let first;
+    try { first = await slices.next(); } catch (e) { return proxyError(502, e.message); }
+    const body = new ReadableStream({
+      async start(c) { c.enqueue(new Uint8Array(await first.value.arrayBuffer())); },
+      async pull(c) {
+        const next = await slices.next(); // a failed tile errors the stream instead of ending it short
+        if (next.done) c.close();
+        else c.enqueue(new Uint8Array(await next.value.arrayBuffer()));
+      },
+      cancel() { slices.return(); }
+    });
+    return new Response(body, { status: 200, headers: { ...headers, 'Content-Length': String(src.totalSize) } });
   }
 
-  const m = /bytes=(\d+)-(\d*)/.exec(range);
-  let start = parseInt(m?.[1] ?? '0', 10);
-  const requestedEnd = m?.[2] ? parseInt(m[2], 10) : start + TILE_SIZE - 1;
+  const span = parseRange(range, src.totalSize);
+  if (!span) return proxyError(416, 'Range Not Satisfiable', { 'Content-Range': `bytes */${src.totalSize}` });
+  const [start, end] = span;
+  const parts = [];
+  try {
+    for await (const part of tileSlices(src, fileId, start, end)) parts.push(part);
+  } catch (e) {
+    return proxyError(502, e.message);
+  }
+  const body = new Blob(parts, { type: 'application/pdf' });
+  return new Response(body, {
+    status: 206,
+    headers: { ...headers, 'Content-Range': `bytes ${start}-${end}/${src.totalSize}`, 'Content-Length': String(body.size) }
+  });
+}
+
+/* -------------------- Tile index: pinning + LRU eviction -------------------- */
+// One `meta:<fileId>` doc per file: { totalSize, via, version, pinned, tiles: { <index>: { size, used } } }.
+// Tiles of unpinned files are evicted least-recently-used first once they exceed the budget.
+const DEFAULT_BUDGET_MB = 500;
+const SETTINGS_ID = 'settings:tiles';
+const metaCache = new Map(); // fileId → meta doc
+const dirtyMetas = new Set();
+const pinning = new Map();   // fileId → running pin
+let indexReady = null;
+let flushTimer = null;
 
-  const tileIndex = Math.floor(start / TILE_SIZE);
-  const tileStart = tileIndex * TILE_SIZE;
-  const tileEnd = totalSize ? Math.min(tileStart + TILE_SIZE - 1, totalSize - 1) : (tileStart + TILE_SIZE - 1);
-  const end = Math.min(tileEnd, requestedEnd);
+const tileId = (fileId, i) => `pdf:${fileId}:chunk:${String(i).padStart(6, '0')}`;
+
+function getMeta(fileId) {
+  let m = metaCache.get(fileId);
+  if (!m) {
+    m = { _id: `meta:${fileId}`, fileId, totalSize: 0, via: '', version: '', pinned: false, tiles: {} };
+    metaCache.set(fileId, m);
+  }
+  return m;
+}
+
+function loadIndex() {
+  if (!indexReady) {
+    indexReady = (async () => {
+      const metas = await TileDB.allDocs({ startkey: 'meta:', endkey: 'meta:\uffff', include_docs: true });
+      for (const r of metas.rows) metaCache.set(r.doc.fileId, r.doc);
+      // tiles cached before the index existed count as least recently used
+      const tiles = await TileDB.allDocs({ startkey: 'pdf:', endkey: 'pdf:\uffff', include_docs: true });
+      for (const { doc } of tiles.rows) {
+        const m = getMeta(doc.fileId);
+        if (m.version && doc.version !== m.version) {
+          await TileDB.remove(doc._id, doc._rev).catch(() => {});
+          delete m.tiles[doc.tileIndex];
+          dirtyMetas.add(m);
+          continue;
+        }
+        if (m.tiles[doc.tileIndex]) continue;
+        m.tiles[doc.tileIndex] = { size: doc._attachments?.bin?.length || (doc.tileEnd - doc.tileStart + 1), used: 0 };
+        dirtyMetas.add(m);
+      }
+      await flushMetas();
+    })();
+    indexReady.catch(() => { indexReady = null; });
+  }
+  return indexReady;
+}
 
-  if (TileDB && allowRead) {
-    const docId = `pdf:${fileId}:chunk:${String(tileIndex).padStart(6, '0')}`;
+async function flushMetas() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  for (const m of [...dirtyMetas]) {
+    dirtyMetas.delete(m);
+    const empty = !m.pinned && !Object.keys(m.tiles).length;
     try {
-      const cached = await TileDB.getAttachment(docId, 'bin');
-      if (cached) {
-        const offset = start - tileStart;
-        const slice = cached.slice(offset, offset + (end - start + 1), 'application/pdf');
-        return new Response(slice, {
-          status: 206,
-          headers: {
-            'Content-Type': 'application/pdf',
-            'Accept-Ranges': 'bytes',
-            'Content-Range': `bytes ${start}-${end}/${totalSize || '*'}`,
-            'Content-Length': String(slice.size),
-          }
-        });
+      if (empty) {
+        // nothing left to describe on disk; the in-memory copy keeps the size/version for this session
+        if (m._rev) await TileDB.remove(m._id, m._rev);
+        delete m._rev;
+      } else {
+        m._rev = (await TileDB.put(m)).rev;
       }
-    } catch {}
+    } catch (e) {
+      if (e.status !== 409) throw e;
+      m._rev = (await TileDB.get(m._id))._rev; // only this worker writes metas: retry on the latest rev
+      dirtyMetas.add(m);
+    }
   }
+}
+function markDirty(m, soon = false) {
+  dirtyMetas.add(m);
+  if (soon) return void flushMetas().catch(() => {});
+  if (!flushTimer) flushTimer = setTimeout(() => flushMetas().catch(() => {}), 5000);
+}
 
-  const got = await fetchTile(upstream, tileStart, tileEnd, allowRead);
-  if (got instanceof Response) return got;
+const versionOf = (info) => [info.size, info.etag, info.modified].join('|');
 
-  const tileBlob = got;
-  if (TileDB && allowRead) {
-    try {
-      const docId = `pdf:${fileId}:chunk:${String(tileIndex).padStart(6, '0')}`;
-      await TileDB.put({
-        _id: docId,
-        fileId, tileIndex, tileStart, tileEnd, chunkSize: TILE_SIZE,
-        _attachments: { bin: { content_type: 'application/octet-stream', data: tileBlob } }
-      });
-    } catch {}
+// Records the upstream size/version; tiles of any other version are dropped
+async function noteVersion(fileId, via, info) {
+  const m = getMeta(fileId);
+  const version = versionOf(info);
+  if (m.version === version && m.via === via) return;
+  // a different source reports a different ETag format, so only the size can be compared across sources
+  const replaced = m.via === via ? m.version && m.version !== version : m.totalSize && m.totalSize !== info.size;
+  if (replaced) await removeTiles(m, Object.keys(m.tiles));
+  Object.assign(m, { totalSize: info.size, via, version });
+  markDirty(m, true);
+}
+function touchTile(fileId, i) {
+  const t = metaCache.get(fileId)?.tiles[i];
+  if (!t) return;
+  t.used = Date.now();
+  markDirty(metaCache.get(fileId));
+}
+
+async function storeTile(fileId, tileIndex, tileStart, tileEnd, blob) {
+  const doc = {
+    _id: tileId(fileId, tileIndex),
+    fileId, tileIndex, tileStart, tileEnd, chunkSize: TILE_SIZE, version: getMeta(fileId).version,
+    _attachments: { bin: { content_type: 'application/octet-stream', data: blob } }
+  };
+  try {
+    await TileDB.put(doc);
+  } catch (e) {
+    if (e.status !== 409) throw e;
+    await TileDB.put({ ...doc, _rev: (await TileDB.get(doc._id))._rev }); // replace a damaged tile
   }
-  const offset = start - tileStart;
-  const slice = tileBlob.slice(offset, offset + (end - start + 1), 'application/pdf');
-  return new Response(slice, {
-    status: 206,
-    headers: {
-      'Content-Type': 'application/pdf',
-      'Accept-Ranges': 'bytes',
-      'Content-Range': `bytes ${start}-${end}/${totalSize || '*'}`,
-      'Content-Length': String(slice.size),
+  getMeta(fileId).tiles[tileIndex] = { size: blob.size, used: Date.now() };
+  markDirty(getMeta(fileId), true);
+}
+
+async function removeTiles(m, indexes) {
+  for (const i of indexes) {
+    try { await TileDB.remove(await TileDB.get(tileId(m.fileId, i))); } catch (e) { if (e.status !== 404) throw e; }
+    delete m.tiles[i];
+  }
+  markDirty(m);
+}
+
+async function getBudgetMB() {
+  try { return (await TileDB.get(SETTINGS_ID)).budgetMB || DEFAULT_BUDGET_MB; } catch { return DEFAULT_BUDGET_MB; }
+}
+async function setBudgetMB(mb) {
+  if (!(mb > 0)) throw new Error('The budget must be a positive number of MB');
+  let doc = { _id: SETTINGS_ID };
+  try { doc = await TileDB.get(SETTINGS_ID); } catch {}
+  await TileDB.put({ ...doc, budgetMB: mb });
+}
+
+// Evict unpinned tiles, oldest use first, until they fit the budget. When the origin is
+// close to its quota the budget shrinks so the library itself always has room.
+async function enforceBudget() {
+  await loadIndex();
+  const unpinned = [];
+  for (const m of metaCache.values()) {
+    if (m.pinned) continue;
+    for (const [i, t] of Object.entries(m.tiles)) unpinned.push({ m, i, ...t });
+  }
+  let bytes = unpinned.reduce((n, t) => n + t.size, 0);
+  let limit = (await getBudgetMB()) * 1024 * 1024;
+  try {
+    const { usage = 0, quota = 0 } = await self.navigator.storage.estimate();
+    if (quota && usage > quota * 0.9) limit = Math.min(limit, bytes - (usage - quota * 0.9));
+  } catch {}
+  if (bytes <= limit) return;
+  unpinned.sort((a, b) => a.used - b.used);
+  const drop = new Map();
+  for (const t of unpinned) {
+    if (bytes <= limit) break;
+    if (!drop.has(t.m)) drop.set(t.m, []);
+    drop.get(t.m).push(t.i);
+    bytes -= t.size;
+  }
+  for (const [m, indexes] of drop) await removeTiles(m, indexes);
+  await flushMetas();
+  await TileDB.compact(); // deleted revisions keep their attachments until compaction
+}
+let budgetRun = Promise.resolve();
+function queueBudgetCheck() {
+  budgetRun = budgetRun.then(enforceBudget).catch(() => {});
+  return budgetRun;
+}
+
+async function pinFile(fileId) {
+  await loadIndex();
+  checkedAt.delete(fileId); // pinning is a good moment to pick up a replaced file
+  const src = await resolveUpstream(fileId);
+  if (!src?.allowRead) throw new Error('Drive did not allow this file to be read, so it cannot be saved offline');
+  const m = getMeta(fileId);
+  Object.assign(m, { pinned: true, pinnedAt: Date.now() });
+  markDirty(m, true);
+  const total = Math.ceil(src.totalSize / TILE_SIZE);
+  for (let i = 0; i < total; i++) {
+    if (!m.pinned) throw new Error('Unpinned while downloading');
+    if (!m.tiles[i]) await readTile(src, fileId, i);
+    broadcast({ type: 'pdf-pin-progress', fileId, done: i + 1, total });
+  }
+  await flushMetas();
+}
+
+async function storageReport() {
+  await loadIndex();
+  await flushMetas();
+  const files = [...metaCache.values()].filter((m) => m.pinned || Object.keys(m.tiles).length).map((m) => {
+    const tiles = Object.values(m.tiles);
+    return {
+      fileId: m.fileId,
+      pinned: !!m.pinned,
+      pinning: pinning.has(m.fileId),
+      bytes: tiles.reduce((n, t) => n + t.size, 0),
+      tiles: tiles.length,
+      totalTiles: m.totalSize ? Math.ceil(m.totalSize / TILE_SIZE) : null,
+      lastUsed: Math.max(0, ...tiles.map((t) => t.used))
+    };
+  }).sort((a, b) => b.bytes - a.bytes);
+  let usage = null, quota = null;
+  try { ({ usage, quota } = await self.navigator.storage.estimate()); } catch {}
+  return { files, budgetMB: await getBudgetMB(), usage, quota };
+}
+
+async function broadcast(data) {
+  for (const c of await self.clients.matchAll({ includeUncontrolled: true })) c.postMessage(data);
+}
+
+async function handleTileMessage(msg, reply) {
+  await loadIndex();
+  if (msg.type === 'pdf-pin') {
+    reply({ started: true });
+    if (pinning.has(msg.fileId)) return pinning.get(msg.fileId);
+    const run = pinFile(msg.fileId).then(
+      () => broadcast({ type: 'pdf-pin-done', fileId: msg.fileId }),
+      (e) => broadcast({ type: 'pdf-pin-done', fileId: msg.fileId, error: e.message || String(e) })
+    ).finally(() => pinning.delete(msg.fileId));
+    pinning.set(msg.fileId, run);
+    return run;
+  }
+  if (msg.type === 'pdf-unpin') {
+    const m = metaCache.get(msg.fileId);
+    if (m) { m.pinned = false; markDirty(m, true); }
+    await queueBudgetCheck();
+  } else if (msg.type === 'pdf-evict') {
+    const m = metaCache.get(msg.fileId);
+    if (m) {
+      m.pinned = false;
+      await removeTiles(m, Object.keys(m.tiles));
+      await flushMetas();
+      await TileDB.compact();
     }
+  } else if (msg.type === 'pdf-budget') {
+    await setBudgetMB(+msg.mb);
+    await queueBudgetCheck();
+  } else if (msg.type !== 'pdf-storage') {
+    throw new Error(`Unknown request ${msg.type}`);
+  }
+  reply(await storageReport());
+}
+
+/* -------------------- Background push of the outbox -------------------- */
+// The page mirrors each profile's pending changes into this database ("Background push" in index.html):
+// { profile, idb, url, db, items: [{ id, type, row, rev, body, files }], done: [...] }. With no tab in front,
+// a (periodic) background sync pushes the items to CouchDB the way the page would, minus merging: a doc that
+// changed on the server (409) or that the server refuses is left for the page. What went through moves to
+// `done` with its new rev, and the page applies that to rev_map and the outbox when it next runs.
+const BG_DB = 'techstudy-outbox';
+const BG_TAG = 'techstudy-push';
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === BG_TAG) event.waitUntil(pushMirrored());
+});
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === BG_TAG) event.waitUntil(pushMirrored().catch(() => {}));
+});
+
+// upgrade: creates the stores of a new database; without one, a database that does not exist yet is an error
+function idbOpen(name, upgrade) {
+  return new Promise((resolve, reject) => {
+    const req = self.indexedDB.open(name);
+    req.onupgradeneeded = () => (upgrade ? upgrade(req.result) : req.transaction.abort());
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error(`Cannot open ${name}`));
   });
 }
+const idbGetKey = (db, store, key) => new Promise((resolve, reject) => {
+  const req = db.transaction(store, 'readonly').objectStore(store).get(key);
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+// read-modify-write of one profile's record; fn(record) → record
+const updateRecord = (db, profile, fn) => new Promise((resolve, reject) => {
+  const tx = db.transaction('outbox', 'readwrite');
+  const store = tx.objectStore('outbox');
+  store.get(profile).onsuccess = (e) => { if (e.target.result) store.put(fn(e.target.result)); };
+  tx.oncomplete = () => resolve();
+  tx.onerror = tx.onabort = () => reject(tx.error);
+});
+
+async function pushMirrored() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.some((c) => c.visibilityState === 'visible')) return; // the page in front pushes by itself
+  const db = await idbOpen(BG_DB, (d) => d.createObjectStore('outbox', { keyPath: 'profile' }));
+  let offline = null;
+  try {
+    const records = await new Promise((resolve, reject) => {
+      const req = db.transaction('outbox', 'readonly').objectStore('outbox').getAll();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    for (const rec of records) {
+      if (!rec.url || !rec.db || !rec.items?.length) continue;
+      try { await pushRecord(db, rec); } catch (e) {
+        if (e.offline) offline = e; // anything else leaves the rows to the page, which reports it
+      }
+    }
+  } finally {
+    db.close();
+  }
+  if (offline) throw offline; // the browser fires the sync again once it is back online
+}
+
+async function pushRecord(db, rec) {
+  const base = rec.url.replace(/\/+$/, '') + '/' + encodeURIComponent(rec.db);
+  const images = await idbOpen(rec.idb).catch(() => null);
+  try {
+    for (const it of rec.items) {
+      const out = await pushItem(base, it, images);
+      if (!out) continue;
+      await updateRecord(db, rec.profile, (r) => ({
+        ...r,
+        items: r.items.filter((x) => !(x.id === it.id && x.row === it.row)),
+        done: [...(r.done || []), { id: it.id, row: it.row, rev: out.rev, body: it.body, keep: !!out.keep, at: Date.now() }]
+      }));
+    }
+  } finally {
+    images?.close();
+  }
+}
+
+async function bgFetch(url, opts = {}) {
+  let res;
+  try { res = await fetch(url, { ...opts, credentials: 'include' }); }
+  catch (e) { throw Object.assign(new Error('Server unreachable: ' + e.message), { offline: true }); }
+  if (res.status === 401) throw new Error('Not signed in to CouchDB'); // the session cookie ran out: wait for the page
+  if (res.status >= 500) throw Object.assign(new Error(`HTTP ${res.status}`), { offline: true });
+  return res;
+}
+
+// → { rev, keep? } once the server has it, or null to leave it to the page
+async function pushItem(base, it, images) {
+  const url = base + '/' + encodeURIComponent(it.id);
+  if (!it.body) {
+    if (!it.rev) return null; // the page looks up whether the server has it
+    const res = await bgFetch(url + '?rev=' + encodeURIComponent(it.rev), { method: 'DELETE' });
+    return res.ok ? { rev: (await res.json()).rev } : null;
+  }
+  let stubs = {};
+  if (it.files && it.rev) {
+    const res = await bgFetch(url + '?rev=' + encodeURIComponent(it.rev), { headers: { Accept: 'application/json' } });
+    if (res.ok) stubs = (await res.json())._attachments || {};
+  }
+  const { attachments, pdf } = it.files ? await mirroredAttachments(it, stubs, images) : {};
+  const doc = { _id: it.id, ...(it.rev ? { _rev: it.rev } : {}), ...it.body, ...(attachments ? { _attachments: attachments } : {}) };
+  const res = await bgFetch(url, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(doc) });
+  if (!res.ok) return null;
+  const { rev } = await res.json();
+  if (!pdf) return { rev };
+  const att = await bgFetch(url + '/file.pdf?rev=' + encodeURIComponent(rev), {
+    method: 'PUT', body: pdf, headers: { 'Content-Type': 'application/pdf' }
+  }).catch(() => null);
+  return att?.ok ? { rev: (await att.json()).rev } : { rev, keep: true };
+}
+
+const attPage = (name) => Number(name.replace(/^p(\d+)\..+$/, '$1')) || 1;
+function readBlob(images, path) {
+  if (!images || !path) return null;
+  return idbGetKey(images, 'images', path).catch(() => null);
+}
+async function blobBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+// Same choices as noteAttachments() in the page, with the digests it worked out when mirroring
+async function mirroredAttachments(it, stubs, images) {
+  if (it.body.kind === 'pdf') {
+    const [f] = it.files;
+    const blob = f.missing ? null : await readBlob(images, f.path);
+    const stub = stubs['file.pdf'];
+    if (stub && (!blob || stub.digest === f.digest)) return { attachments: { 'file.pdf': { stub: true } }, pdf: null };
+    return { attachments: null, pdf: blob ? new Blob([blob], { type: 'application/pdf' }) : null };
+  }
+  const out = {};
+  for (const f of it.files) {
+    const blob = f.missing ? null : await readBlob(images, f.path);
+    if (!blob) {
+      const kept = Object.keys(stubs).find((name) => attPage(name) === f.page);
+      if (kept) out[kept] = { stub: true };
+      continue;
+    }
+    if (stubs[f.name]?.digest && stubs[f.name].digest === f.digest) out[f.name] = { stub: true };
+    else out[f.name] = { content_type: f.type, data: await blobBase64(blob) };
+  }
+  return { attachments: out, pdf: null };
+}
 
 /* -------------------- Fetch strategy -------------------- */
 self.addEventListener('fetch', (event) => {